@@ -2,13 +2,18 @@ import express from 'express';
 import fs from 'fs';
 import chalk from 'chalk';
 import multer from 'multer';
-import makeWASocket, { useMultiFileAuthState, makeCacheableSignalKeyStore, DisconnectReason, Browsers, fetchLatestBaileysVersion } from '@whiskeysockets/baileys';
+import baileys, { makeCacheableSignalKeyStore, DisconnectReason, Browsers, fetchLatestBaileysVersion, BufferJSON, initAuthCreds } from '@whiskeysockets/baileys';
 import pino from 'pino';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 import { Boom } from '@hapi/boom';
 import cors from 'cors';
+import readline from 'readline';
+
+// Baileys is CommonJS and re-exports proto via __exportStar, which ESM can't see as a named export
+const { proto } = baileys;
+const makeWASocket = typeof baileys === 'function' ? baileys : baileys.default;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,66 +21,619 @@ const app = express();
 const PORT = process.env.PORT || 20065;
 const upload = multer({ dest: 'uploads/' });
 
-app.use(cors());
+// Only origins listed in CORS_ORIGINS may call the API cross-site; the bundled UI is same-origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
 const SESSION_FILE = './running_sessions.json';
+const DNC_FILE = './do_not_contact.json';
+const SEND_COUNTS_FILE = './send_counts.json';
+const CONSENT_FILE = './consent.json';
+const AUDIT_LOG_DIR = process.env.AUDIT_LOG_DIR || './audit';
+const AUDITOR_OPERATORS = (process.env.AUDITOR_OPERATORS || '').split(',').map(o => o.trim()).filter(Boolean);
+const MIN_SPEED_SECONDS = parseInt(process.env.MIN_SPEED_SECONDS, 10) || 5;
+// Anything past ~24.8 days overflows setInterval, which Node then clamps to 1 ms
+const MAX_SPEED_SECONDS = 24 * 60 * 60;
+const MAX_MESSAGES_PER_TARGET_PER_DAY = parseInt(process.env.MAX_MESSAGES_PER_TARGET_PER_DAY, 10) || 50;
 const userSessions = {};
 const stopFlags = {};
 const activeSockets = {};
+const sessionOwners = {};
 const messageQueues = {};
 const reconnectAttempts = {};
 
+// Session credentials and running_sessions.json are encrypted with AES-256-GCM under SESSION_ENCRYPTION_KEY
+if (!process.env.SESSION_ENCRYPTION_KEY) {
+  console.error(chalk.red(`❌ SESSION_ENCRYPTION_KEY is not set, refusing to start without encryption at rest`));
+  process.exit(1);
+}
+const ENCRYPTION_KEY = crypto.scryptSync(process.env.SESSION_ENCRYPTION_KEY, 'wpserver-session-storage', 32);
+
+// Write to a temp file and rename it over the target, so a crash never leaves a truncated file behind
+const writeFileAtomic = (file, data) => {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, data, 'utf8');
+  fs.renameSync(tmpFile, file);
+};
+
+const encryptJSON = (value, replacer) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value, replacer), 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    enc: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+};
+
+// Returns { value, encrypted } so callers can re-encrypt files written before encryption existed
+const decryptJSON = (text, reviver) => {
+  const envelope = JSON.parse(text);
+  if (envelope?.enc !== 'aes-256-gcm') {
+    return { value: JSON.parse(text, reviver), encrypted: false };
+  }
+
+  let plaintext;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    // Almost always a wrong or rotated SESSION_ENCRYPTION_KEY; callers must not treat this as "no data"
+    const decryptError = new Error(`Unable to decrypt with the configured SESSION_ENCRYPTION_KEY: ${error.message}`);
+    decryptError.code = 'ERR_SESSION_DECRYPT';
+    throw decryptError;
+  }
+  return { value: JSON.parse(plaintext, reviver), encrypted: true };
+};
+
+// Drop-in for Baileys' useMultiFileAuthState that keeps every creds/key file encrypted
+const useEncryptedMultiFileAuthState = async (folder) => {
+  const fixFileName = (file) => file.replace(/\//g, '__').replace(/:/g, '-');
+
+  const writeData = async (data, file) => {
+    const filePath = path.join(folder, fixFileName(file));
+    const tmpFile = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmpFile, encryptJSON(data, BufferJSON.replacer), 'utf8');
+    await fs.promises.rename(tmpFile, filePath);
+  };
+
+  const readData = async (file) => {
+    try {
+      const text = await fs.promises.readFile(path.join(folder, fixFileName(file)), 'utf8');
+      const { value, encrypted } = decryptJSON(text, BufferJSON.reviver);
+      if (!encrypted) {
+        await writeData(value, file);
+      }
+      return value;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      // Returning null here would make Baileys start fresh creds and overwrite the real ones
+      console.error(chalk.red(`Error reading auth file ${file}: ${error.message}`));
+      throw error;
+    }
+  };
+
+  const removeData = async (file) => {
+    try {
+      await fs.promises.unlink(path.join(folder, fixFileName(file)));
+    } catch (e) {}
+  };
+
+  const creds = (await readData('creds.json')) || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          await Promise.all(ids.map(async (id) => {
+            let value = await readData(`${type}-${id}.json`);
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }));
+          return data;
+        },
+        set: async (data) => {
+          const tasks = [];
+          for (const category in data) {
+            for (const id in data[category]) {
+              const value = data[category][id];
+              const file = `${category}-${id}.json`;
+              tasks.push(value ? writeData(value, file) : removeData(file));
+            }
+          }
+          await Promise.all(tasks);
+        }
+      }
+    },
+    saveCreds: () => writeData(creds, 'creds.json')
+  };
+};
+
+// Set when running_sessions.json exists but cannot be read, so it is never overwritten with partial state
+let sessionFileUnreadable = false;
+
 const saveSessions = () => {
+  if (sessionFileUnreadable) {
+    console.error(chalk.red(`Not saving sessions: ${SESSION_FILE} could not be read at startup`));
+    return;
+  }
   try {
-    fs.writeFileSync(SESSION_FILE, JSON.stringify(userSessions, null, 2), 'utf8');
+    writeFileAtomic(SESSION_FILE, encryptJSON(userSessions));
   } catch (error) {
     console.error(chalk.red(`Error saving sessions: ${error.message}`));
   }
 };
 
+// Numbers and groups that replied with an opt-out, never targeted again
+const doNotContact = new Set();
+
+const loadDoNotContact = () => {
+  if (!fs.existsSync(DNC_FILE)) return;
+  try {
+    const entries = JSON.parse(fs.readFileSync(DNC_FILE, 'utf8'));
+    entries.forEach(entry => doNotContact.add(entry));
+  } catch (error) {
+    console.error(chalk.red(`Error loading do-not-contact list: ${error.message}`));
+  }
+};
+
+const saveDoNotContact = () => {
+  try {
+    writeFileAtomic(DNC_FILE, JSON.stringify([...doNotContact], null, 2));
+  } catch (error) {
+    console.error(chalk.red(`Error saving do-not-contact list: ${error.message}`));
+  }
+};
+
+// Groups are kept as their full @g.us id, numbers as bare digits
+const normalizeTarget = (target) => {
+  const trimmed = String(target).trim();
+  if (trimmed.includes('@g.us')) return trimmed;
+  return trimmed.split('@')[0].split(':')[0].replace(/[^0-9]/g, '');
+};
+
+const toChatId = (target) => {
+  return target.includes('@g.us') ? target : `${target}@s.whatsapp.net`;
+};
+
+const isDoNotContact = (target) => doNotContact.has(normalizeTarget(target));
+
+const OPT_OUT_EXACT = /^\s*(stop|stop\s*all|unsubscribe|cancel|end|quit|opt[\s-]?out)\s*[.!]*\s*$/i;
+const OPT_OUT_PHRASE = /\b(leave me alone|(do not|don'?t|stop) (message|messaging|text|texting|contact|contacting|send|sending)\b)/i;
+
+const isOptOutMessage = (text) => {
+  if (!text) return false;
+  return OPT_OUT_EXACT.test(text) || OPT_OUT_PHRASE.test(text);
+};
+
+const OPT_IN_EXACT = /^\s*(start|subscribe|opt[\s-]?in|approve)\s*[.!]*\s*$/i;
+
+const isOptInMessage = (text) => Boolean(text) && OPT_IN_EXACT.test(text);
+
+// Targets that asked for messages: { [target]: { [senderNumber]: { grantedBy, method, timestamp } } }
+const consentRegistry = {};
+
+const loadConsent = () => {
+  if (!fs.existsSync(CONSENT_FILE)) return;
+  try {
+    Object.assign(consentRegistry, JSON.parse(fs.readFileSync(CONSENT_FILE, 'utf8')));
+  } catch (error) {
+    console.error(chalk.red(`Error loading consent registry: ${error.message}`));
+  }
+};
+
+const saveConsent = () => {
+  try {
+    writeFileAtomic(CONSENT_FILE, JSON.stringify(consentRegistry, null, 2));
+  } catch (error) {
+    console.error(chalk.red(`Error saving consent registry: ${error.message}`));
+  }
+};
+
+const hasConsent = (target, senderNumber) => {
+  return Boolean(consentRegistry[normalizeTarget(target)]?.[normalizeTarget(senderNumber)]);
+};
+
+const grantConsent = (target, senderNumber, grantedBy, method) => {
+  const key = normalizeTarget(target);
+  consentRegistry[key] = {
+    ...consentRegistry[key],
+    [normalizeTarget(senderNumber)]: { grantedBy, method, timestamp: Date.now() }
+  };
+  saveConsent();
+};
+
+const revokeConsent = (target) => {
+  const key = normalizeTarget(target);
+  if (!consentRegistry[key]) return;
+  delete consentRegistry[key];
+  saveConsent();
+};
+
+const getMessageText = (msg) => {
+  return msg.message?.conversation
+    || msg.message?.extendedTextMessage?.text
+    || msg.message?.imageMessage?.caption
+    || msg.message?.videoMessage?.caption
+    || '';
+};
+
+// Messages sent per target today, shared by every session
+const sendCounts = {};
+
+const loadSendCounts = () => {
+  if (!fs.existsSync(SEND_COUNTS_FILE)) return;
+  try {
+    Object.assign(sendCounts, JSON.parse(fs.readFileSync(SEND_COUNTS_FILE, 'utf8')));
+  } catch (error) {
+    console.error(chalk.red(`Error loading send counts: ${error.message}`));
+  }
+};
+
+const saveSendCounts = () => {
+  try {
+    writeFileAtomic(SEND_COUNTS_FILE, JSON.stringify(sendCounts, null, 2));
+  } catch (error) {
+    console.error(chalk.red(`Error saving send counts: ${error.message}`));
+  }
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const getSentToday = (target) => {
+  const entry = sendCounts[normalizeTarget(target)];
+  return entry?.date === today() ? entry.count : 0;
+};
+
+const recordSend = (target) => {
+  const key = normalizeTarget(target);
+  sendCounts[key] = { date: today(), count: getSentToday(target) + 1 };
+  saveSendCounts();
+};
+
+const isDailyCapReached = (target) => getSentToday(target) >= MAX_MESSAGES_PER_TARGET_PER_DAY;
+
+// Returns the interval in seconds, or null if it is not a number within the allowed range
+const parseSpeed = (speed) => {
+  const seconds = Number(speed);
+  if (!Number.isFinite(seconds) || seconds < MIN_SPEED_SECONDS || seconds > MAX_SPEED_SECONDS) return null;
+  return seconds;
+};
+
+// Returns a positive integer, undefined when not given, or null when invalid
+const parseMaxMessages = (maxMessages) => {
+  if (maxMessages === undefined || maxMessages === null || maxMessages === '') return undefined;
+  const count = Number(maxMessages);
+  if (!Number.isInteger(count) || count < 1) return null;
+  return count;
+};
+
+const createMessageQueue = (messages, sentCount = 0, maxMessages) => {
+  const total = Math.min(messages.length, maxMessages || messages.length);
+  return {
+    messages: [...messages],
+    currentIndex: Math.min(sentCount, total),
+    total,
+    isSending: false
+  };
+};
+
+// Operator API tokens, configured as OPERATOR_TOKENS="alice:token1,bob:token2"
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest();
+
+const operatorTokens = (process.env.OPERATOR_TOKENS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    const token = entry.slice(separator + 1);
+    if (separator <= 0 || !token) {
+      console.error(chalk.red(`⚠️ Ignoring malformed OPERATOR_TOKENS entry (expected operator:token)`));
+      return null;
+    }
+    return { operator: entry.slice(0, separator), tokenHash: hashToken(token) };
+  })
+  .filter(Boolean);
+
+const findOperator = (token) => {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const match = operatorTokens.find(entry => crypto.timingSafeEqual(entry.tokenHash, tokenHash));
+  return match ? match.operator : null;
+};
+
+const requireOperator = (req, res, next) => {
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  const operator = findOperator(token);
+
+  if (!operator) {
+    return res.status(401).json({ success: false, message: 'Missing or invalid operator token!' });
+  }
+
+  req.operator = operator;
+  next();
+};
+
+const ownsSession = (req, uniqueKey) => {
+  return Boolean(sessionOwners[uniqueKey]) && sessionOwners[uniqueKey] === req.operator;
+};
+
+// Append-only audit trail, one JSONL file per day under AUDIT_LOG_DIR
+const audit = (action, details = {}) => {
+  const entry = { timestamp: new Date().toISOString(), action, ...details };
+  try {
+    fs.mkdirSync(AUDIT_LOG_DIR, { recursive: true });
+    fs.appendFileSync(path.join(AUDIT_LOG_DIR, `audit-${entry.timestamp.slice(0, 10)}.jsonl`), `${JSON.stringify(entry)}\n`, 'utf8');
+  } catch (error) {
+    console.error(chalk.red(`Error writing audit log: ${error.message}`));
+  }
+};
+
+// Returns an ISO timestamp, undefined when not given, or null when invalid; a bare date covers that whole day
+const parseAuditBound = (value, endOfDay) => {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    value = `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`;
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+// Reads the newest daily files first and stops as soon as `limit` matching entries are found
+const readAuditLog = async ({ action, operator, uniqueKey, target, from, to, limit }) => {
+  if (!fs.existsSync(AUDIT_LOG_DIR)) return [];
+
+  const files = (await fs.promises.readdir(AUDIT_LOG_DIR))
+    .filter(file => /^audit-\d{4}-\d{2}-\d{2}\.jsonl$/.test(file))
+    .filter(file => (!from || file.slice(6, 16) >= from.slice(0, 10)) && (!to || file.slice(6, 16) <= to.slice(0, 10)))
+    .sort()
+    .reverse();
+
+  let entries = [];
+  for (const file of files) {
+    const fileEntries = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.join(AUDIT_LOG_DIR, file), 'utf8'),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        continue;
+      }
+      if (action && entry.action !== action) continue;
+      if (operator && entry.operator !== operator) continue;
+      if (uniqueKey && entry.uniqueKey !== uniqueKey) continue;
+      if (target && normalizeTarget(entry.target || '') !== normalizeTarget(target)) continue;
+      if (from && entry.timestamp < from) continue;
+      if (to && entry.timestamp > to) continue;
+      fileEntries.push(entry);
+    }
+
+    entries = fileEntries.concat(entries);
+    if (entries.length >= limit) break;
+  }
+
+  return entries.slice(-limit);
+};
+
 const generateUniqueKey = () => {
   return crypto.randomBytes(16).toString('hex'); 
 };
 
-const EXPIRY_TIME = Infinity;
+// Sessions with no pairing, campaign or send activity for this long are unlinked
+const SESSION_EXPIRY_HOURS = parseFloat(process.env.SESSION_EXPIRY_HOURS) || 72;
+const EXPIRY_TIME = SESSION_EXPIRY_HOURS * 60 * 60 * 1000;
+const EXPIRY_CHECK_INTERVAL = 10 * 60 * 1000;
+
 const checkSessionExpiry = (sessionTimestamp, sessionMeta) => {
   if (sessionMeta?.neverExpire) return false;
   return (Date.now() - sessionTimestamp) > EXPIRY_TIME;
 };
 
-const deleteExpiredSessions = () => {
-  try {
-    for (const userId in userSessions) {
-      const { uniqueKey, lastUpdateTimestamp } = userSessions[userId];
-      if (checkSessionExpiry(lastUpdateTimestamp)) {
-        const sessionPath = `./session/${uniqueKey}`;
-        if (fs.existsSync(sessionPath)) {
-          try {
-            fs.rmdirSync(sessionPath, { recursive: true });
-          } catch (err) {}
-        }
-        delete userSessions[userId];
-        saveSessions();
+const touchSession = (uniqueKey) => {
+  if (userSessions[uniqueKey]) {
+    userSessions[uniqueKey].lastUpdateTimestamp = Date.now();
+  }
+};
+
+const deleteExpiredSessions = async () => {
+  for (const uniqueKey of Object.keys(userSessions)) {
+    const session = userSessions[uniqueKey];
+    if (!checkSessionExpiry(session.lastUpdateTimestamp, session)) continue;
+
+    console.log(chalk.yellow(`⌛ Session ${uniqueKey} idle for over ${SESSION_EXPIRY_HOURS}h, unlinking device...`));
+    const operator = sessionOwners[uniqueKey];
+    try {
+      await unlinkSession(uniqueKey);
+      audit('session.expired', { operator, uniqueKey, phoneNumber: session.phoneNumber });
+    } catch (err) {
+      console.error(chalk.red(`Error expiring session ${uniqueKey}: ${err.message}`));
+    }
+  }
+};
+
+// Stops messaging, logs the linked device out and deletes its stored credentials
+const unlinkSession = async (uniqueKey) => {
+  // Stop messaging
+  if (stopFlags[uniqueKey]?.interval) {
+    stopFlags[uniqueKey].stopped = true;
+    clearInterval(stopFlags[uniqueKey].interval);
+  }
+  delete stopFlags[uniqueKey];
+  delete messageQueues[uniqueKey];
+
+  // Logout and close socket
+  if (activeSockets[uniqueKey]) {
+    try {
+      await activeSockets[uniqueKey].logout();
+      delete activeSockets[uniqueKey];
+    } catch (logoutError) {
+      console.log(chalk.yellow(`Logout failed, force closing: ${logoutError.message}`));
+      delete activeSockets[uniqueKey];
+    }
+  }
+
+  // Clean up session
+  if (userSessions[uniqueKey]) {
+    const sessionPath = `./session/${uniqueKey}`;
+    if (fs.existsSync(sessionPath)) {
+      try {
+        fs.rmdirSync(sessionPath, { recursive: true });
+        console.log(chalk.green(`Session folder deleted for ${uniqueKey}`));
+      } catch (e) {
+        console.log(chalk.yellow(`Could not delete session folder: ${e.message}`));
       }
     }
-  } catch (err) {}
+    delete userSessions[uniqueKey];
+    saveSessions();
+  }
+  delete sessionOwners[uniqueKey];
 };
 
-const startMessaging = (MznKing, uniqueKey, target, hatersName, messages, speed) => {
+// Stops every campaign timer and closes sockets without logging out, so sessions resume on the next start
+const closeAllSessions = () => {
+  for (const uniqueKey of new Set([...Object.keys(stopFlags), ...Object.keys(activeSockets)])) {
+    if (stopFlags[uniqueKey]?.interval) {
+      clearInterval(stopFlags[uniqueKey].interval);
+    }
+    stopFlags[uniqueKey] = { stopped: true };
+    delete messageQueues[uniqueKey];
+
+    if (activeSockets[uniqueKey]) {
+      // An undefined error reads as badSession (500) in the close handler, which deletes the credentials
+      try {
+        activeSockets[uniqueKey].end(new Boom('Shutdown', { statusCode: DisconnectReason.connectionClosed }));
+      } catch (e) {}
+      delete activeSockets[uniqueKey];
+    }
+  }
+  saveSessions();
+};
+
+// Stop the campaign but keep the WhatsApp socket linked
+const stopCampaign = (uniqueKey) => {
+  if (stopFlags[uniqueKey]?.interval) {
+    clearInterval(stopFlags[uniqueKey].interval);
+    stopFlags[uniqueKey].interval = null;
+  }
+  delete messageQueues[uniqueKey];
+
+  if (userSessions[uniqueKey]) {
+    userSessions[uniqueKey].messaging = false;
+    saveSessions();
+  }
+};
+
+const handleOptOut = (uniqueKey, msg) => {
+  if (msg.key?.fromMe) return;
+  const chatId = msg.key?.remoteJid;
+  if (!chatId || !isOptOutMessage(getMessageText(msg))) return;
+
+  const session = userSessions[uniqueKey];
+  const isCampaignChat = Boolean(session?.messaging && session.target && chatId === toChatId(session.target));
+
+  // Outside a running campaign only chats that had consented are recorded
+  if (!isCampaignChat && !consentRegistry[normalizeTarget(chatId)]) return;
+
+  if (isCampaignChat) {
+    console.log(chalk.red(`🛑 Opt-out received from ${session.target}, stopping campaign for ${uniqueKey}`));
+    stopCampaign(uniqueKey);
+  }
+
+  audit('opt-out', {
+    operator: sessionOwners[uniqueKey],
+    uniqueKey,
+    target: normalizeTarget(chatId),
+    participant: msg.key.participant ? normalizeTarget(msg.key.participant) : undefined,
+    campaignStopped: isCampaignChat
+  });
+
+  doNotContact.add(normalizeTarget(chatId));
+  if (msg.key.participant) {
+    doNotContact.add(normalizeTarget(msg.key.participant));
+  }
+  saveDoNotContact();
+  revokeConsent(chatId);
+};
+
+// A contact opts in by messaging the linked number; a group needs an admin to approve in the group
+const handleOptIn = async (MznKing, uniqueKey, phoneNumber, msg) => {
+  if (msg.key?.fromMe) return;
+  const chatId = msg.key?.remoteJid;
+  if (!chatId || !isOptInMessage(getMessageText(msg))) return;
+
+  if (chatId.endsWith('@g.us')) {
+    const participant = msg.key.participant;
+    if (!participant) return;
+
+    const metadata = await MznKing.groupMetadata(chatId);
+    const sender = metadata.participants.find(p => p.id === participant);
+    if (!sender?.admin) {
+      console.log(chalk.yellow(`⚠️ Ignoring group approval from non-admin ${participant} in ${chatId}`));
+      return;
+    }
+
+    // An admin approval lifts an earlier opt-out by any member, as START does for a contact
+    if (doNotContact.delete(normalizeTarget(chatId))) {
+      saveDoNotContact();
+    }
+
+    grantConsent(chatId, phoneNumber, normalizeTarget(participant), 'group-admin');
+    audit('opt-in', { operator: sessionOwners[uniqueKey], uniqueKey, phoneNumber, target: chatId, grantedBy: normalizeTarget(participant), method: 'group-admin' });
+    console.log(chalk.green(`✅ Group ${chatId} approved by admin ${normalizeTarget(participant)}`));
+  } else if (chatId.endsWith('@s.whatsapp.net')) {
+    const target = normalizeTarget(chatId);
+
+    // An explicit opt-in lifts an earlier opt-out
+    if (doNotContact.delete(target)) {
+      saveDoNotContact();
+    }
+
+    grantConsent(target, phoneNumber, target, 'recipient');
+    audit('opt-in', { operator: sessionOwners[uniqueKey], uniqueKey, phoneNumber, target, grantedBy: target, method: 'recipient' });
+    console.log(chalk.green(`✅ ${target} opted in to messages from ${phoneNumber}`));
+  }
+};
+
+// Builds the WhatsApp socket; replaced in tests by a fake that works offline
+const defaultSocketFactory = async (config) => {
+  const { version } = await fetchLatestBaileysVersion();
+  return makeWASocket({ ...config, version });
+};
+
+let socketFactory = defaultSocketFactory;
+
+const setSocketFactory = (factory) => {
+  socketFactory = factory || defaultSocketFactory;
+};
+
+const startMessaging = (MznKing, uniqueKey, target, hatersName, messages, speed, maxMessages) => {
   if (stopFlags[uniqueKey]?.interval) {
     clearInterval(stopFlags[uniqueKey].interval);
   }
 
   // Initialize message queue for this session
   if (!messageQueues[uniqueKey]) {
-    messageQueues[uniqueKey] = {
-      messages: [...messages],
-      currentIndex: 0,
-      isSending: false
-    };
+    messageQueues[uniqueKey] = createMessageQueue(messages, 0, maxMessages);
   }
 
   const queue = messageQueues[uniqueKey];
@@ -87,6 +645,11 @@ const startMessaging = (MznKing, uniqueKey, target, hatersName, messages, speed)
       return;
     }
 
+    // Campaign was stopped (e.g. opt-out) while this tick was pending
+    if (messageQueues[uniqueKey] !== queue) {
+      return;
+    }
+
     // Check if socket is still active
     if (!activeSockets[uniqueKey]) {
       console.log(chalk.yellow(`⚠️ Socket disconnected for ${uniqueKey}, waiting for reconnection...`));
@@ -102,35 +665,72 @@ const startMessaging = (MznKing, uniqueKey, target, hatersName, messages, speed)
       return;
     }
 
+    if (queue.currentIndex >= queue.total) {
+      console.log(chalk.cyan(`🏁 All ${queue.total} messages sent! Campaign finished for ${uniqueKey}`));
+      stopCampaign(uniqueKey);
+      audit('campaign.finished', { operator: sessionOwners[uniqueKey], uniqueKey, target, sent: queue.currentIndex });
+      return;
+    }
+
+    // An opt-out may have arrived in a way that did not match this campaign's chat
+    if (isDoNotContact(target)) {
+      console.log(chalk.red(`🛑 ${target} is on the do-not-contact list, stopping campaign for ${uniqueKey}`));
+      stopCampaign(uniqueKey);
+      audit('campaign.blocked', { operator: sessionOwners[uniqueKey], uniqueKey, target, reason: 'do-not-contact' });
+      return;
+    }
+
+    if (!hasConsent(target, userSessions[uniqueKey]?.phoneNumber)) {
+      console.log(chalk.red(`🛑 ${target} no longer has consent on record, stopping campaign for ${uniqueKey}`));
+      stopCampaign(uniqueKey);
+      audit('campaign.blocked', { operator: sessionOwners[uniqueKey], uniqueKey, target, reason: 'no-consent' });
+      return;
+    }
+
+    if (isDailyCapReached(target)) {
+      console.log(chalk.red(`🛑 Daily limit of ${MAX_MESSAGES_PER_TARGET_PER_DAY} messages reached for ${target}, stopping campaign for ${uniqueKey}`));
+      stopCampaign(uniqueKey);
+      audit('campaign.capped', { operator: sessionOwners[uniqueKey], uniqueKey, target, limit: MAX_MESSAGES_PER_TARGET_PER_DAY });
+      return;
+    }
+
     queue.isSending = true;
-    const chatId = target.includes('@g.us') ? target : `${target}@s.whatsapp.net`;
+    const chatId = toChatId(target);
     const currentMessage = queue.messages[queue.currentIndex];
     const formattedMessage = `${hatersName} ${currentMessage}`;
 
     try {
       await MznKing.sendMessage(chatId, { text: formattedMessage });
-      console.log(chalk.green(`✉️ Message sent [${queue.currentIndex + 1}/${queue.messages.length}]: ${formattedMessage.substring(0, 50)}...`));
-      
-      // Move to next message
+      console.log(chalk.green(`✉️ Message sent [${queue.currentIndex + 1}/${queue.total}]: ${formattedMessage.substring(0, 50)}...`));
+      recordSend(target);
+      audit('message.sent', { operator: sessionOwners[uniqueKey], uniqueKey, target, index: queue.currentIndex + 1, total: queue.total });
+
+      // Move to next message, persisting progress so a restart does not resend
       queue.currentIndex++;
-      
-      // If all messages sent, restart from beginning
-      if (queue.currentIndex >= queue.messages.length) {
-        console.log(chalk.cyan(`🔄 All messages sent! Restarting from first message...`));
-        queue.currentIndex = 0;
+      if (userSessions[uniqueKey]) {
+        userSessions[uniqueKey].sentCount = queue.currentIndex;
+        touchSession(uniqueKey);
+        saveSessions();
+      }
+
+      if (queue.currentIndex >= queue.total) {
+        console.log(chalk.cyan(`🏁 All ${queue.total} messages sent! Campaign finished for ${uniqueKey}`));
+        stopCampaign(uniqueKey);
+        audit('campaign.finished', { operator: sessionOwners[uniqueKey], uniqueKey, target, sent: queue.currentIndex });
       }
     } catch (err) {
       console.error(chalk.red(`❌ Error sending message: ${err.message}`));
+      audit('message.failed', { operator: sessionOwners[uniqueKey], uniqueKey, target, index: queue.currentIndex + 1, total: queue.total, error: err.message });
       // Don't stop on error, continue with next message
     } finally {
       queue.isSending = false;
     }
   };
 
-  const interval = parseInt(speed) * 1000;
-  const messageInterval = setInterval(sendNextMessage, interval);
+  const speedSeconds = parseSpeed(speed) || MIN_SPEED_SECONDS;
+  const messageInterval = setInterval(sendNextMessage, speedSeconds * 1000);
   stopFlags[uniqueKey] = { stopped: false, interval: messageInterval };
-  console.log(chalk.cyan(`📨 Message automation started! Sending every ${speed} seconds`));
+  console.log(chalk.cyan(`📨 Message automation started! Sending every ${speedSeconds} seconds`));
   
   // Send first message immediately
   sendNextMessage();
@@ -148,11 +748,9 @@ const connectAndLogin = async (phoneNumber, uniqueKey, sendPairingCode = null) =
         fs.mkdirSync(sessionPath, { recursive: true });
       }
 
-      const { state, saveCreds } = await useMultiFileAuthState(sessionPath);
-      const { version } = await fetchLatestBaileysVersion();
+      const { state, saveCreds } = await useEncryptedMultiFileAuthState(sessionPath);
 
-      const MznKing = makeWASocket({
-        version,
+      const MznKing = await socketFactory({
         logger: pino.default({ level: 'silent' }),
         browser: Browsers.windows('Firefox'),
         auth: {
@@ -217,10 +815,13 @@ const connectAndLogin = async (phoneNumber, uniqueKey, sendPairingCode = null) =
             ...userSessions[uniqueKey],
             phoneNumber, 
             uniqueKey,
+            owner: sessionOwners[uniqueKey],
             connected: true,
-            lastUpdateTimestamp: Date.now() 
+            // Reconnects are not activity; only a fresh pairing starts the idle clock
+            lastUpdateTimestamp: userSessions[uniqueKey]?.lastUpdateTimestamp || Date.now() 
           };
           saveSessions();
+          audit('session.connected', { operator: sessionOwners[uniqueKey], uniqueKey, phoneNumber });
 
           if (!pairingCodeSent && sendPairingCode) {
             pairingCodeSent = true;
@@ -228,20 +829,22 @@ const connectAndLogin = async (phoneNumber, uniqueKey, sendPairingCode = null) =
           }
 
           // Resume messaging if it was active before disconnection
-          if (userSessions[uniqueKey]?.messaging && userSessions[uniqueKey]?.messages) {
-            const { target, hatersName, messages, speed } = userSessions[uniqueKey];
+          if (userSessions[uniqueKey]?.messaging && userSessions[uniqueKey]?.messages && isDoNotContact(userSessions[uniqueKey].target)) {
+            console.log(chalk.red(`🛑 ${userSessions[uniqueKey].target} is on the do-not-contact list, not resuming ${uniqueKey}`));
+            stopCampaign(uniqueKey);
+          } else if (userSessions[uniqueKey]?.messaging && userSessions[uniqueKey]?.messages && !hasConsent(userSessions[uniqueKey].target, phoneNumber)) {
+            console.log(chalk.red(`🛑 ${userSessions[uniqueKey].target} has not consented, not resuming ${uniqueKey}`));
+            stopCampaign(uniqueKey);
+          } else if (userSessions[uniqueKey]?.messaging && userSessions[uniqueKey]?.messages) {
+            const { target, hatersName, messages, speed, maxMessages, sentCount } = userSessions[uniqueKey];
             console.log(chalk.cyan(`🔄 Resuming message automation for ${uniqueKey}...`));
             
             // Restore message queue state if exists
             if (!messageQueues[uniqueKey]) {
-              messageQueues[uniqueKey] = {
-                messages: [...messages],
-                currentIndex: 0,
-                isSending: false
-              };
+              messageQueues[uniqueKey] = createMessageQueue(messages, sentCount, maxMessages);
             }
             
-            startMessaging(MznKing, uniqueKey, target, hatersName, messages, speed);
+            startMessaging(MznKing, uniqueKey, target, hatersName, messages, speed, maxMessages);
           }
         }
 
@@ -292,7 +895,19 @@ const connectAndLogin = async (phoneNumber, uniqueKey, sendPairingCode = null) =
       });
 
       MznKing.ev.on('creds.update', saveCreds);
-      MznKing.ev.on("messages.upsert", () => {});
+      MznKing.ev.on("messages.upsert", async ({ messages, type }) => {
+        // Only live messages count; history syncs and appends can replay an old STOP or START
+        if (type !== 'notify') return;
+
+        for (const msg of messages || []) {
+          try {
+            handleOptOut(uniqueKey, msg);
+            await handleOptIn(MznKing, uniqueKey, phoneNumber, msg);
+          } catch (err) {
+            console.error(chalk.red(`Error handling incoming message: ${err.message}`));
+          }
+        }
+      });
 
     } catch (error) {
       console.error(chalk.red(`❌ ERROR: ${error.message}`));
@@ -300,6 +915,12 @@ const connectAndLogin = async (phoneNumber, uniqueKey, sendPairingCode = null) =
         pairingCodeSent = true;
         sendPairingCode(null, false, error.message);
       }
+      if (error.code === 'ERR_SESSION_DECRYPT') {
+        console.error(chalk.red(`Credentials for ${uniqueKey} cannot be decrypted, leaving them untouched and not reconnecting`));
+        stopFlags[uniqueKey] = { stopped: true };
+        delete activeSockets[uniqueKey];
+        return;
+      }
       if (!stopFlags[uniqueKey]?.stopped) {
         reconnectAttempts[uniqueKey] = (reconnectAttempts[uniqueKey] || 0) + 1;
         const delay = Math.min(5000 * reconnectAttempts[uniqueKey], 30000);
@@ -314,10 +935,33 @@ const connectAndLogin = async (phoneNumber, uniqueKey, sendPairingCode = null) =
 // Restore sessions on startup
 const restoreSessions = async () => {
   if (fs.existsSync(SESSION_FILE)) {
+    let savedSessions;
+    let encrypted;
+    try {
+      ({ value: savedSessions, encrypted } = decryptJSON(fs.readFileSync(SESSION_FILE, 'utf8')));
+    } catch (err) {
+      sessionFileUnreadable = true;
+      throw err;
+    }
+
     try {
-      const data = fs.readFileSync(SESSION_FILE, 'utf8');
-      const savedSessions = JSON.parse(data);
       Object.assign(userSessions, savedSessions);
+
+      // Sessions saved before expiry existed have no timestamp and would otherwise never expire
+      let stamped = false;
+      for (const session of Object.values(userSessions)) {
+        if (!session.lastUpdateTimestamp) {
+          session.lastUpdateTimestamp = Date.now();
+          stamped = true;
+        }
+      }
+
+      if (!encrypted) {
+        console.log(chalk.yellow(`🔒 Encrypting plaintext ${SESSION_FILE}`));
+      }
+      if (!encrypted || stamped) {
+        saveSessions();
+      }
       
       console.log(chalk.green(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`));
       console.log(chalk.green(`📂 Found ${Object.keys(userSessions).length} saved sessions`));
@@ -332,17 +976,19 @@ const restoreSessions = async () => {
           if (fs.existsSync(sessionPath)) {
             console.log(chalk.cyan(`🔄 Restoring session: ${session.uniqueKey} (${session.phoneNumber})`));
             
+            if (session.owner) {
+              sessionOwners[session.uniqueKey] = session.owner;
+            } else {
+              console.log(chalk.yellow(`⚠️ Session ${session.uniqueKey} has no owning operator and cannot be managed over HTTP`));
+            }
+
             // Initialize stop flag
             stopFlags[session.uniqueKey] = { stopped: false };
             reconnectAttempts[session.uniqueKey] = 0;
             
             // Restore message queue if messaging was active
             if (session.messaging && session.messages) {
-              messageQueues[session.uniqueKey] = {
-                messages: [...session.messages],
-                currentIndex: 0,
-                isSending: false
-              };
+              messageQueues[session.uniqueKey] = createMessageQueue(session.messages, session.sentCount, session.maxMessages);
               console.log(chalk.yellow(`📨 Session ${session.uniqueKey} had active messaging - will resume after connection`));
             }
             
@@ -365,7 +1011,7 @@ const restoreSessions = async () => {
 };
 
 // Login endpoint - only requires phone number
-app.post('/login', async (req, res) => {
+app.post('/login', requireOperator, async (req, res) => {
   try {
     let { phoneNumber } = req.body;
 
@@ -377,11 +1023,15 @@ app.post('/login', async (req, res) => {
     console.log(chalk.cyan(`📞 Login request for: ${phoneNumber}`));
 
     const uniqueKey = generateUniqueKey();
+    sessionOwners[uniqueKey] = req.operator;
+    audit('login', { operator: req.operator, uniqueKey, phoneNumber, ip: req.ip });
     stopFlags[uniqueKey] = { stopped: false };
     reconnectAttempts[uniqueKey] = 0;
 
     const sendPairingCode = (pairingCode, isConnected = false, errorMsg = null) => {
       if (errorMsg) {
+        // Pairing never happened, so the operator does not own anything yet
+        delete sessionOwners[uniqueKey];
         res.json({
           success: false,
           message: 'Error generating pairing code',
@@ -413,7 +1063,7 @@ app.post('/login', async (req, res) => {
 });
 
 // Get groups for logged in session
-app.post('/getGroupUID', async (req, res) => {
+app.post('/getGroupUID', requireOperator, async (req, res) => {
   try {
     const { uniqueKey } = req.body;
 
@@ -421,6 +1071,10 @@ app.post('/getGroupUID', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Missing uniqueKey in request' });
     }
 
+    if (!ownsSession(req, uniqueKey)) {
+      return res.status(403).json({ success: false, message: 'This session belongs to another operator' });
+    }
+
     if (!userSessions[uniqueKey]) {
       return res.status(400).json({ success: false, message: 'Invalid key or no active session found' });
     }
@@ -430,6 +1084,7 @@ app.post('/getGroupUID', async (req, res) => {
     }
 
     const MznKing = activeSockets[uniqueKey];
+    touchSession(uniqueKey);
 
     try {
       await new Promise(resolve => setTimeout(resolve, 2000));
@@ -454,15 +1109,24 @@ app.post('/getGroupUID', async (req, res) => {
 });
 
 // Start messaging endpoint
-app.post('/startMessaging', upload.single('messageFile'), async (req, res) => {
+app.post('/startMessaging', requireOperator, upload.single('messageFile'), async (req, res) => {
   try {
-    const { uniqueKey, target, hatersName, speed } = req.body;
+    const { uniqueKey, target, hatersName, speed, maxMessages } = req.body;
     const filePath = req.file?.path;
 
     if (!uniqueKey || !target || !hatersName || !speed) {
       return res.status(400).json({ success: false, message: 'Missing required fields!' });
     }
 
+    if (!ownsSession(req, uniqueKey)) {
+      if (filePath) {
+        try {
+          fs.unlinkSync(filePath);
+        } catch (e) {}
+      }
+      return res.status(403).json({ success: false, message: 'This session belongs to another operator!' });
+    }
+
     if (!userSessions[uniqueKey]) {
       return res.status(400).json({ success: false, message: 'Invalid session key!' });
     }
@@ -475,6 +1139,53 @@ app.post('/startMessaging', upload.single('messageFile'), async (req, res) => {
       return res.status(400).json({ success: false, message: 'No message file uploaded!' });
     }
 
+    const speedSeconds = parseSpeed(speed);
+    const maxCount = parseMaxMessages(maxMessages);
+    if (speedSeconds === null || maxCount === null) {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (e) {}
+      return res.status(400).json({
+        success: false,
+        message: speedSeconds === null
+          ? `Message interval must be a number between ${MIN_SPEED_SECONDS} and ${MAX_SPEED_SECONDS} seconds!`
+          : 'Max messages must be a positive whole number!'
+      });
+    }
+
+    // Store and send to one canonical form, so opt-out and consent matching see the same id
+    const chatTarget = normalizeTarget(target);
+    if (!chatTarget || chatTarget === '@g.us') {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (e) {}
+      return res.status(400).json({ success: false, message: 'Target must be a phone number or a group id!' });
+    }
+
+    if (isDoNotContact(target)) {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (e) {}
+      return res.status(403).json({ success: false, message: 'This target has opted out and cannot be messaged!' });
+    }
+
+    if (!hasConsent(target, userSessions[uniqueKey].phoneNumber)) {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (e) {}
+      return res.status(403).json({
+        success: false,
+        message: 'This target has not consented! The recipient must send START to your number, or a group admin must send APPROVE in the group.'
+      });
+    }
+
+    if (isDailyCapReached(target)) {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (e) {}
+      return res.status(429).json({ success: false, message: `Daily limit of ${MAX_MESSAGES_PER_TARGET_PER_DAY} messages reached for this target!` });
+    }
+
     let messages = [];
     try {
       const fileContent = fs.readFileSync(filePath, 'utf-8');
@@ -498,20 +1209,34 @@ app.post('/startMessaging', upload.single('messageFile'), async (req, res) => {
 
     const MznKing = activeSockets[uniqueKey];
     
-    userSessions[uniqueKey].target = target;
+    userSessions[uniqueKey].target = chatTarget;
     userSessions[uniqueKey].hatersName = hatersName;
     userSessions[uniqueKey].messages = messages;
-    userSessions[uniqueKey].speed = speed;
+    userSessions[uniqueKey].speed = speedSeconds;
+    userSessions[uniqueKey].maxMessages = maxCount;
+    userSessions[uniqueKey].sentCount = 0;
     userSessions[uniqueKey].messaging = true;
+    touchSession(uniqueKey);
     saveSessions();
 
-    startMessaging(MznKing, uniqueKey, target, hatersName, messages, speed);
+    // A new campaign always starts from the first line
+    delete messageQueues[uniqueKey];
+    startMessaging(MznKing, uniqueKey, chatTarget, hatersName, messages, speedSeconds, maxCount);
+    audit('campaign.started', {
+      operator: req.operator,
+      uniqueKey,
+      phoneNumber: userSessions[uniqueKey].phoneNumber,
+      target: chatTarget,
+      lineCount: messages.length,
+      maxMessages: maxCount,
+      speed: speedSeconds
+    });
 
     res.json({
       success: true,
       message: 'Message automation started successfully!',
       uniqueKey: uniqueKey,
-      messageCount: messages.length
+      messageCount: messageQueues[uniqueKey]?.total ?? messages.length
     });
   } catch (error) {
     console.error(chalk.red(`Error in /startMessaging endpoint: ${error.message}`));
@@ -520,51 +1245,24 @@ app.post('/startMessaging', upload.single('messageFile'), async (req, res) => {
 });
 
 // Stop process endpoint
-app.post('/stop', async (req, res) => {
+app.post('/stop', requireOperator, async (req, res) => {
   const { uniqueKey } = req.body;
   if (!uniqueKey) {
     return res.status(400).json({ success: false, message: 'Missing uniqueKey in request' });
   }
 
+  if (!ownsSession(req, uniqueKey)) {
+    return res.status(403).json({ success: false, message: 'This session belongs to another operator' });
+  }
+
   if (!userSessions[uniqueKey]) {
     return res.status(400).json({ success: false, message: 'No session found for this key' });
   }
 
   try {
-    // Stop messaging
-    if (stopFlags[uniqueKey]?.interval) {
-      stopFlags[uniqueKey].stopped = true;
-      clearInterval(stopFlags[uniqueKey].interval);
-    }
-    delete stopFlags[uniqueKey];
-    delete messageQueues[uniqueKey];
-
-    // Logout and close socket
-    if (activeSockets[uniqueKey]) {
-      try {
-        await activeSockets[uniqueKey].logout();
-        delete activeSockets[uniqueKey];
-      } catch (logoutError) {
-        console.log(chalk.yellow(`Logout failed, force closing: ${logoutError.message}`));
-        delete activeSockets[uniqueKey];
-      }
-    }
-
-    // Clean up session
-    if (userSessions[uniqueKey]) {
-      const sessionPath = `./session/${uniqueKey}`;
-      if (fs.existsSync(sessionPath)) {
-        try {
-          fs.rmdirSync(sessionPath, { recursive: true });
-          console.log(chalk.green(`Session folder deleted for ${uniqueKey}`));
-        } catch (e) {
-          console.log(chalk.yellow(`Could not delete session folder: ${e.message}`));
-        }
-      }
-      delete userSessions[uniqueKey];
-      saveSessions();
-    }
+    await unlinkSession(uniqueKey);
 
+    audit('session.stopped', { operator: req.operator, uniqueKey, ip: req.ip });
     console.log(chalk.red(`✅ Process completely stopped for key ${uniqueKey}`));
     res.json({ success: true, message: `Process stopped successfully for key: ${uniqueKey}` });
   } catch (error) {
@@ -573,16 +1271,103 @@ app.post('/stop', async (req, res) => {
   }
 });
 
+// Read-only audit query; auditors see every entry, other operators only their own
+app.get('/audit', requireOperator, async (req, res) => {
+  try {
+    const { action, uniqueKey, target } = req.query;
+    const isAuditor = AUDITOR_OPERATORS.includes(req.operator);
+    const operator = isAuditor ? req.query.operator : req.operator;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const from = parseAuditBound(req.query.from, false);
+    const to = parseAuditBound(req.query.to, true);
+
+    if (from === null || to === null) {
+      return res.status(400).json({ success: false, message: 'from and to must be valid dates (e.g. 2026-10-19 or an ISO timestamp)' });
+    }
+
+    const entries = await readAuditLog({ action, operator, uniqueKey, target, from, to, limit });
+    res.json({ success: true, count: entries.length, entries });
+  } catch (error) {
+    console.error(chalk.red(`Error reading audit log: ${error.message}`));
+    res.status(500).json({ success: false, message: 'Error reading audit log' });
+  }
+});
+
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.listen(PORT, '0.0.0.0', async () => {
-  console.log(chalk.green(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`));
-  console.log(chalk.green(`✅ Server running on port ${PORT}`));
-  console.log(chalk.cyan(`🌐 CORS enabled for all origins`));
-  console.log(chalk.green(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`));
-  
-  await restoreSessions();
+let shuttingDown = false;
 
-});
+const shutdown = (server, expiryTimer, signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  console.log(chalk.yellow(`\n🛑 ${signal} received, stopping campaigns and closing sockets...`));
+  clearInterval(expiryTimer);
+  closeAllSessions();
+
+  // Don't let a hanging keep-alive connection block the exit
+  setTimeout(() => process.exit(1), 10000).unref();
+  server.close(() => {
+    console.log(chalk.green(`✅ Shutdown complete`));
+    process.exit(0);
+  });
+};
+
+const startServer = () => {
+  const server = app.listen(PORT, '0.0.0.0', async () => {
+    console.log(chalk.green(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`));
+    console.log(chalk.green(`✅ Server running on port ${PORT}`));
+    console.log(chalk.cyan(`🌐 CORS ${CORS_ORIGINS.length > 0 ? `enabled for ${CORS_ORIGINS.join(', ')}` : 'disabled (same-origin only)'}`));
+    console.log(chalk.cyan(`🔑 ${operatorTokens.length} operator token(s) configured`));
+    if (operatorTokens.length === 0) {
+      console.log(chalk.red(`⚠️ OPERATOR_TOKENS is not set, every API request will be rejected`));
+    }
+    console.log(chalk.green(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`));
+    
+    loadDoNotContact();
+    loadConsent();
+    loadSendCounts();
+    try {
+      await restoreSessions();
+    } catch (err) {
+      console.error(chalk.red(`❌ Could not load ${SESSION_FILE}: ${err.message}`));
+      console.error(chalk.red(`Refusing to run and risk overwriting saved sessions; check SESSION_ENCRYPTION_KEY`));
+      process.exit(1);
+    }
+
+  });
+
+  const expiryTimer = setInterval(deleteExpiredSessions, EXPIRY_CHECK_INTERVAL);
+  process.on('SIGTERM', () => shutdown(server, expiryTimer, 'SIGTERM'));
+  process.on('SIGINT', () => shutdown(server, expiryTimer, 'SIGINT'));
+
+  return server;
+};
+
+// Only listen when run as the entry point (`node index.js` or `node index`), so tests can import the app
+const entryPoint = process.argv[1] && path.resolve(process.argv[1]);
+if (entryPoint && (entryPoint === __filename || `${entryPoint}.js` === __filename)) {
+  startServer();
+}
+
+export {
+  app,
+  activeSockets,
+  closeAllSessions,
+  connectAndLogin,
+  consentRegistry,
+  deleteExpiredSessions,
+  doNotContact,
+  grantConsent,
+  messageQueues,
+  restoreSessions,
+  saveSessions,
+  sendCounts,
+  sessionOwners,
+  setSocketFactory,
+  startMessaging,
+  stopFlags,
+  userSessions
+};
@@ -0,0 +1,164 @@
+import { EventEmitter, once } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Boom } from '@hapi/boom';
+
+export const OPERATOR_TOKEN = 'alice-token';
+export const OTHER_OPERATOR_TOKEN = 'bob-token';
+
+// Imports the server from a throwaway working directory so session, consent and audit files stay isolated
+export const loadServer = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wpserver-test-'));
+  process.chdir(dir);
+  Object.assign(process.env, {
+    SESSION_ENCRYPTION_KEY: 'test-encryption-key',
+    OPERATOR_TOKENS: `alice:${OPERATOR_TOKEN},bob:${OTHER_OPERATOR_TOKEN}`,
+    AUDITOR_OPERATORS: 'alice',
+    AUDIT_LOG_DIR: path.join(dir, 'audit'),
+    MIN_SPEED_SECONDS: '1',
+    ...env
+  });
+  const server = await import('../index.js');
+  return { ...server, dir };
+};
+
+// Stands in for a Baileys socket: emits the events the server listens to and records what it sends
+export class FakeSocket {
+  constructor(config, options = {}) {
+    this.config = config;
+    this.options = options;
+    this.authState = { creds: config.auth.creds };
+    if (options.registered) {
+      this.authState.creds.registered = true;
+    }
+    this.ev = new EventEmitter();
+    this.sent = [];
+    this.loggedOut = false;
+  }
+
+  async requestPairingCode(phoneNumber) {
+    this.pairingNumber = phoneNumber;
+    if (this.options.pairingError) {
+      throw new Error(this.options.pairingError);
+    }
+    return this.options.pairingCode || 'ABCD1234';
+  }
+
+  async sendMessage(jid, content) {
+    if (this.options.failSends) {
+      throw new Error('send failed');
+    }
+    this.sent.push({ jid, content });
+    return { key: { remoteJid: jid, fromMe: true } };
+  }
+
+  async groupFetchAllParticipating() {
+    return this.options.groups || {};
+  }
+
+  async groupMetadata(jid) {
+    const group = this.options.groups?.[jid];
+    if (!group) {
+      throw new Error('item-not-found');
+    }
+    return group;
+  }
+
+  async logout() {
+    this.loggedOut = true;
+  }
+
+  // Like Baileys, ending the socket immediately reports the close with the given error
+  end(error) {
+    this.ended = true;
+    this.ev.emit('connection.update', { connection: 'close', lastDisconnect: { error } });
+  }
+
+  open() {
+    this.ev.emit('connection.update', { connection: 'open' });
+  }
+
+  close(statusCode) {
+    this.ev.emit('connection.update', {
+      connection: 'close',
+      lastDisconnect: { error: new Boom('Connection Failure', { statusCode }) }
+    });
+  }
+
+  receive(remoteJid, text, participant, type = 'notify') {
+    this.ev.emit('messages.upsert', {
+      type,
+      messages: [{ key: { remoteJid, fromMe: false, participant }, message: { conversation: text } }]
+    });
+  }
+}
+
+export const createFakeSocketFactory = (options = {}) => {
+  const sockets = [];
+  const factory = async (config) => {
+    const socket = new FakeSocket(config, options);
+    sockets.push(socket);
+    return socket;
+  };
+  factory.sockets = sockets;
+  return factory;
+};
+
+export const newUniqueKey = () => crypto.randomBytes(16).toString('hex');
+
+// Links a session through connectAndLogin and opens it, as a paired device would
+export const connectSession = async (server, factory, { phoneNumber = '911111111111', uniqueKey = newUniqueKey(), owner = 'alice' } = {}) => {
+  server.sessionOwners[uniqueKey] = owner;
+  server.stopFlags[uniqueKey] = { stopped: false };
+  await server.connectAndLogin(phoneNumber, uniqueKey, null);
+  const socket = factory.sockets[factory.sockets.length - 1];
+  socket.open();
+  return { socket, uniqueKey, phoneNumber };
+};
+
+export const stopAllCampaigns = (server) => {
+  for (const uniqueKey of Object.keys(server.stopFlags)) {
+    if (server.stopFlags[uniqueKey]?.interval) {
+      clearInterval(server.stopFlags[uniqueKey].interval);
+    }
+  }
+};
+
+export const flush = () => new Promise(resolve => setImmediate(resolve));
+
+export const waitFor = async (condition, attempts = 2000) => {
+  for (let i = 0; i < attempts; i++) {
+    if (condition()) return;
+    await flush();
+  }
+  throw new Error('Condition not met in time');
+};
+
+export const startHttp = async (app) => {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+};
+
+export const postJson = (baseUrl, route, body, token = OPERATOR_TOKEN) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return fetch(`${baseUrl}${route}`, { method: 'POST', headers, body: JSON.stringify(body) });
+};
+
+export const postCampaign = (baseUrl, fields, lines, token = OPERATOR_TOKEN) => {
+  const formData = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    formData.append(name, String(value));
+  }
+  formData.append('messageFile', new Blob([lines.join('\n')], { type: 'text/plain' }), 'messages.txt');
+  return fetch(`${baseUrl}/startMessaging`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: formData
+  });
+};
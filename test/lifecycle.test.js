@@ -0,0 +1,65 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { loadServer, createFakeSocketFactory, connectSession, newUniqueKey, stopAllCampaigns } from './helpers.js';
+
+const server = await loadServer({ SESSION_EXPIRY_HOURS: '1' });
+
+afterEach(() => stopAllCampaigns(server));
+
+test('unlinks sessions idle for longer than the expiry and keeps active ones', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const idle = await connectSession(server, factory);
+  const active = await connectSession(server, factory);
+  server.userSessions[idle.uniqueKey].lastUpdateTimestamp = Date.now() - 2 * 60 * 60 * 1000;
+
+  await server.deleteExpiredSessions();
+
+  assert.equal(idle.socket.loggedOut, true);
+  assert.equal(server.userSessions[idle.uniqueKey], undefined);
+  assert.equal(fs.existsSync(`./session/${idle.uniqueKey}`), false);
+  assert.equal(active.socket.loggedOut, false);
+  assert.ok(server.userSessions[active.uniqueKey]);
+});
+
+test('restored sessions without a timestamp get one so they can expire', async () => {
+  const uniqueKey = newUniqueKey();
+  fs.writeFileSync('./running_sessions.json', JSON.stringify({ [uniqueKey]: { phoneNumber: '911111111111', uniqueKey } }));
+
+  await server.restoreSessions();
+
+  assert.equal(typeof server.userSessions[uniqueKey].lastUpdateTimestamp, 'number');
+  delete server.userSessions[uniqueKey];
+});
+
+test('a reconnect does not reset the idle clock', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const { socket, uniqueKey } = await connectSession(server, factory);
+  const lastActive = Date.now() - 30 * 60 * 1000;
+  server.userSessions[uniqueKey].lastUpdateTimestamp = lastActive;
+
+  socket.open();
+
+  assert.equal(server.userSessions[uniqueKey].lastUpdateTimestamp, lastActive);
+});
+
+test('closing all sessions stops campaigns and closes sockets without logging out', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const { socket, uniqueKey } = await connectSession(server, factory);
+  server.grantConsent('917777777777', '911111111111', '917777777777', 'recipient');
+  server.userSessions[uniqueKey].messaging = true;
+  server.startMessaging(socket, uniqueKey, '917777777777', 'Hi', ['one', 'two'], 60);
+
+  server.closeAllSessions();
+
+  assert.equal(socket.ended, true);
+  assert.equal(socket.loggedOut, false);
+  assert.equal(fs.existsSync(`./session/${uniqueKey}`), true);
+  assert.equal(server.activeSockets[uniqueKey], undefined);
+  assert.deepEqual(server.stopFlags[uniqueKey], { stopped: true });
+  assert.equal(server.userSessions[uniqueKey].messaging, true);
+  assert.deepEqual(fs.readdirSync('.').filter(file => file.endsWith('.tmp')), []);
+});
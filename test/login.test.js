@@ -0,0 +1,95 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadServer,
+  createFakeSocketFactory,
+  connectSession,
+  startHttp,
+  postJson,
+  OTHER_OPERATOR_TOKEN
+} from './helpers.js';
+
+const server = await loadServer();
+const { server: httpServer, baseUrl } = await startHttp(server.app);
+
+after(() => httpServer.close());
+
+test('rejects /login without a valid operator token', async () => {
+  const missing = await postJson(baseUrl, '/login', { phoneNumber: '911111111111' }, null);
+  assert.equal(missing.status, 401);
+
+  const invalid = await postJson(baseUrl, '/login', { phoneNumber: '911111111111' }, 'not-a-token');
+  assert.equal(invalid.status, 401);
+});
+
+test('rejects /login without a phone number', async () => {
+  const res = await postJson(baseUrl, '/login', {});
+  assert.equal(res.status, 400);
+});
+
+test('returns a formatted pairing code for an unregistered device', async () => {
+  const factory = createFakeSocketFactory({ pairingCode: 'ABCD1234' });
+  server.setSocketFactory(factory);
+
+  const res = await postJson(baseUrl, '/login', { phoneNumber: '+91 98765-43210' });
+  const body = await res.json();
+
+  assert.equal(body.success, true);
+  assert.equal(body.pairingCode, 'ABCD-1234');
+  assert.match(body.uniqueKey, /^[0-9a-f]{32}$/);
+  assert.equal(factory.sockets[0].pairingNumber, '919876543210');
+  assert.equal(server.sessionOwners[body.uniqueKey], 'alice');
+});
+
+test('reports an already registered device as connected', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+
+  const res = await postJson(baseUrl, '/login', { phoneNumber: '912222222222' });
+  const body = await res.json();
+
+  assert.equal(body.success, true);
+  assert.equal(body.connected, true);
+  assert.equal(body.pairingCode, undefined);
+});
+
+test('returns the pairing error when WhatsApp refuses a code', async () => {
+  const factory = createFakeSocketFactory({ pairingError: 'rate-overlimit' });
+  server.setSocketFactory(factory);
+
+  const res = await postJson(baseUrl, '/login', { phoneNumber: '913333333333' });
+  const body = await res.json();
+
+  assert.equal(body.success, false);
+  assert.equal(body.error, 'rate-overlimit');
+  assert.equal(server.sessionOwners[body.uniqueKey], undefined);
+});
+
+test('lists groups only for the owning operator', async () => {
+  const groups = { '120363000000000001@g.us': { id: '120363000000000001@g.us', subject: 'Team', participants: [] } };
+  const factory = createFakeSocketFactory({ registered: true, groups });
+  server.setSocketFactory(factory);
+  const { uniqueKey } = await connectSession(server, factory);
+
+  const own = await (await postJson(baseUrl, '/getGroupUID', { uniqueKey })).json();
+  assert.equal(own.success, true);
+  assert.deepEqual(own.groupUIDs, [{ groupName: 'Team', groupId: '120363000000000001@g.us' }]);
+
+  const other = await postJson(baseUrl, '/getGroupUID', { uniqueKey }, OTHER_OPERATOR_TOKEN);
+  assert.equal(other.status, 403);
+});
+
+test('one operator cannot stop another operator session', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const { socket, uniqueKey } = await connectSession(server, factory);
+
+  const other = await postJson(baseUrl, '/stop', { uniqueKey }, OTHER_OPERATOR_TOKEN);
+  assert.equal(other.status, 403);
+  assert.equal(socket.loggedOut, false);
+
+  const own = await (await postJson(baseUrl, '/stop', { uniqueKey })).json();
+  assert.equal(own.success, true);
+  assert.equal(socket.loggedOut, true);
+  assert.equal(server.userSessions[uniqueKey], undefined);
+});
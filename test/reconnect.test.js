@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { DisconnectReason } from '@whiskeysockets/baileys';
+import { loadServer, createFakeSocketFactory, connectSession, flush, waitFor } from './helpers.js';
+
+const server = await loadServer();
+
+const reconnecting = ['badSession', 'connectionClosed', 'connectionLost', 'timedOut', 'restartRequired'];
+const terminal = ['connectionReplaced', 'loggedOut'];
+
+for (const reason of reconnecting) {
+  test(`${reason} reconnects with a new socket`, async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const factory = createFakeSocketFactory({ registered: true });
+    server.setSocketFactory(factory);
+    const { socket, uniqueKey } = await connectSession(server, factory);
+
+    socket.close(DisconnectReason[reason]);
+    assert.equal(factory.sockets.length, 1);
+
+    t.mock.timers.tick(30000);
+    await waitFor(() => factory.sockets.length === 2);
+    assert.equal(server.activeSockets[uniqueKey], factory.sockets[1]);
+    assert.equal(server.stopFlags[uniqueKey].stopped, false);
+  });
+}
+
+for (const reason of terminal) {
+  test(`${reason} stops the session without reconnecting`, async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const factory = createFakeSocketFactory({ registered: true });
+    server.setSocketFactory(factory);
+    const { socket, uniqueKey } = await connectSession(server, factory);
+
+    socket.close(DisconnectReason[reason]);
+    t.mock.timers.tick(30000);
+    await flush();
+
+    assert.equal(factory.sockets.length, 1);
+    assert.equal(server.activeSockets[uniqueKey], undefined);
+    assert.equal(server.stopFlags[uniqueKey].stopped, true);
+  });
+}
+
+test('badSession deletes the stored credentials before reconnecting', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const { socket, uniqueKey } = await connectSession(server, factory);
+  fs.writeFileSync(`./session/${uniqueKey}/stale.json`, '{}');
+
+  socket.close(DisconnectReason.badSession);
+
+  assert.equal(fs.existsSync(`./session/${uniqueKey}/stale.json`), false);
+});
+
+test('loggedOut deletes the session folder', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const { socket, uniqueKey } = await connectSession(server, factory);
+
+  socket.close(DisconnectReason.loggedOut);
+
+  assert.equal(fs.existsSync(`./session/${uniqueKey}`), false);
+});
@@ -0,0 +1,157 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import crypto from 'crypto';
+import { loadServer, createFakeSocketFactory, newUniqueKey, stopAllCampaigns, flush } from './helpers.js';
+
+const server = await loadServer();
+
+// Encrypts the way the server does, but under a different SESSION_ENCRYPTION_KEY
+const encryptWithOtherKey = (value) => {
+  const key = crypto.scryptSync('some-other-key', 'wpserver-session-storage', 32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return JSON.stringify({ enc: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') });
+};
+
+const clearSessions = () => {
+  for (const key of Object.keys(server.userSessions)) {
+    delete server.userSessions[key];
+  }
+};
+
+afterEach(() => {
+  stopAllCampaigns(server);
+  clearSessions();
+});
+
+test('saves running_sessions.json encrypted', () => {
+  const uniqueKey = newUniqueKey();
+  server.userSessions[uniqueKey] = { phoneNumber: '911111111111', uniqueKey, target: '919999999999' };
+  server.saveSessions();
+
+  const raw = fs.readFileSync('./running_sessions.json', 'utf8');
+  assert.equal(JSON.parse(raw).enc, 'aes-256-gcm');
+  assert.doesNotMatch(raw, /919999999999/);
+});
+
+test('restores saved sessions and resumes an active campaign where it left off', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const uniqueKey = newUniqueKey();
+  fs.mkdirSync(`./session/${uniqueKey}`, { recursive: true });
+  server.grantConsent('919999999999', '911111111111', '919999999999', 'recipient');
+
+  server.userSessions[uniqueKey] = {
+    phoneNumber: '911111111111',
+    uniqueKey,
+    owner: 'alice',
+    connected: true,
+    target: '919999999999',
+    hatersName: 'Hi',
+    messages: ['one', 'two', 'three'],
+    speed: 60,
+    sentCount: 1,
+    messaging: true,
+    lastUpdateTimestamp: Date.now()
+  };
+  server.saveSessions();
+  clearSessions();
+
+  await server.restoreSessions();
+
+  assert.equal(factory.sockets.length, 1);
+  assert.equal(server.sessionOwners[uniqueKey], 'alice');
+  assert.equal(server.userSessions[uniqueKey].target, '919999999999');
+
+  factory.sockets[0].open();
+  await flush();
+
+  assert.deepEqual(factory.sockets[0].sent, [
+    { jid: '919999999999@s.whatsapp.net', content: { text: 'Hi two' } }
+  ]);
+});
+
+test('does not resume a campaign to a target without consent', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const uniqueKey = newUniqueKey();
+  fs.mkdirSync(`./session/${uniqueKey}`, { recursive: true });
+
+  server.userSessions[uniqueKey] = {
+    phoneNumber: '911111111111',
+    uniqueKey,
+    owner: 'alice',
+    target: '918888888888',
+    hatersName: 'Hi',
+    messages: ['one'],
+    speed: 60,
+    messaging: true,
+    lastUpdateTimestamp: Date.now()
+  };
+  server.saveSessions();
+  clearSessions();
+
+  await server.restoreSessions();
+  factory.sockets[0].open();
+  await flush();
+
+  assert.deepEqual(factory.sockets[0].sent, []);
+  assert.equal(server.userSessions[uniqueKey].messaging, false);
+});
+
+test('skips sessions whose credentials folder is missing', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const uniqueKey = newUniqueKey();
+
+  server.userSessions[uniqueKey] = { phoneNumber: '911111111111', uniqueKey, owner: 'alice' };
+  server.saveSessions();
+  clearSessions();
+
+  await server.restoreSessions();
+
+  assert.equal(factory.sockets.length, 0);
+});
+
+test('encrypts a plaintext running_sessions.json written by an older version', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const uniqueKey = newUniqueKey();
+  fs.writeFileSync('./running_sessions.json', JSON.stringify({ [uniqueKey]: { phoneNumber: '911111111111', uniqueKey } }));
+
+  await server.restoreSessions();
+
+  assert.equal(server.userSessions[uniqueKey].phoneNumber, '911111111111');
+  assert.equal(JSON.parse(fs.readFileSync('./running_sessions.json', 'utf8')).enc, 'aes-256-gcm');
+});
+
+test('leaves credentials it cannot decrypt untouched and does not connect', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const uniqueKey = newUniqueKey();
+  const credsFile = `./session/${uniqueKey}/creds.json`;
+  fs.mkdirSync(`./session/${uniqueKey}`, { recursive: true });
+  fs.writeFileSync(credsFile, encryptWithOtherKey({ registered: true }));
+  const before = fs.readFileSync(credsFile, 'utf8');
+
+  await server.connectAndLogin('911111111111', uniqueKey, null);
+
+  assert.equal(factory.sockets.length, 0);
+  assert.equal(server.stopFlags[uniqueKey].stopped, true);
+  assert.equal(fs.readFileSync(credsFile, 'utf8'), before);
+});
+
+// Runs last: a failed load blocks every later saveSessions in this process
+test('a running_sessions.json under another key is fatal and never overwritten', async () => {
+  const uniqueKey = newUniqueKey();
+  const contents = encryptWithOtherKey({ [uniqueKey]: { phoneNumber: '911111111111', uniqueKey } });
+  fs.writeFileSync('./running_sessions.json', contents);
+
+  await assert.rejects(server.restoreSessions(), { code: 'ERR_SESSION_DECRYPT' });
+
+  server.userSessions[newUniqueKey()] = { phoneNumber: '912222222222' };
+  server.saveSessions();
+  assert.equal(fs.readFileSync('./running_sessions.json', 'utf8'), contents);
+});
@@ -0,0 +1,261 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadServer,
+  createFakeSocketFactory,
+  connectSession,
+  startHttp,
+  postCampaign,
+  stopAllCampaigns,
+  flush,
+  waitFor
+} from './helpers.js';
+
+const server = await loadServer({ MAX_MESSAGES_PER_TARGET_PER_DAY: '5' });
+const { server: httpServer, baseUrl } = await startHttp(server.app);
+
+afterEach(() => stopAllCampaigns(server));
+after(() => httpServer.close());
+
+let nextTarget = 919000000000;
+const newTarget = () => String(nextTarget++);
+
+const consentedSession = async (options = {}) => {
+  const factory = createFakeSocketFactory({ registered: true, ...options });
+  server.setSocketFactory(factory);
+  const session = await connectSession(server, factory);
+  const target = newTarget();
+  server.grantConsent(target, session.phoneNumber, target, 'recipient');
+  return { ...session, target };
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+test('rejects a target that has not consented', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const { uniqueKey } = await connectSession(server, factory);
+
+  const res = await postCampaign(baseUrl, { uniqueKey, target: newTarget(), hatersName: 'Hi', speed: 60 }, ['one']);
+
+  assert.equal(res.status, 403);
+});
+
+test('a recipient START grants consent and STOP halts the campaign for good', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const { socket, uniqueKey } = await connectSession(server, factory);
+  const target = newTarget();
+  const chatId = `${target}@s.whatsapp.net`;
+
+  socket.receive(chatId, 'START');
+  await flush();
+
+  const started = await postCampaign(baseUrl, { uniqueKey, target, hatersName: 'Hi', speed: 60 }, ['one', 'two']);
+  assert.equal(started.status, 200);
+  assert.equal(socket.sent.length, 1);
+
+  socket.receive(chatId, 'stop');
+  await flush();
+
+  assert.equal(server.userSessions[uniqueKey].messaging, false);
+  assert.equal(server.stopFlags[uniqueKey].interval, null);
+  assert.equal(server.doNotContact.has(target), true);
+  assert.equal(server.consentRegistry[target], undefined);
+
+  const retried = await postCampaign(baseUrl, { uniqueKey, target, hatersName: 'Hi', speed: 60 }, ['one']);
+  assert.equal(retried.status, 403);
+});
+
+test('only a group admin can approve a group', async () => {
+  const groupId = '120363000000000002@g.us';
+  const groups = {
+    [groupId]: {
+      id: groupId,
+      subject: 'Team',
+      participants: [
+        { id: '912000000001@s.whatsapp.net', admin: null },
+        { id: '912000000002@s.whatsapp.net', admin: 'admin' }
+      ]
+    }
+  };
+  const factory = createFakeSocketFactory({ registered: true, groups });
+  server.setSocketFactory(factory);
+  const { socket } = await connectSession(server, factory);
+  server.doNotContact.add(groupId);
+
+  socket.receive(groupId, 'APPROVE', '912000000001@s.whatsapp.net');
+  await flush();
+  assert.equal(server.consentRegistry[groupId], undefined);
+
+  socket.receive(groupId, 'APPROVE', '912000000002@s.whatsapp.net');
+  await waitFor(() => Boolean(server.consentRegistry[groupId]));
+  assert.equal(Object.values(server.consentRegistry[groupId])[0].method, 'group-admin');
+  assert.equal(server.doNotContact.has(groupId), false);
+});
+
+test('rejects an interval outside the allowed range or that is not a number', async () => {
+  const { uniqueKey, target } = await consentedSession();
+
+  for (const speed of ['0', '-3', 'fast', '86401', '2147484']) {
+    const res = await postCampaign(baseUrl, { uniqueKey, target, hatersName: 'Hi', speed }, ['one']);
+    assert.equal(res.status, 400, `speed ${speed}`);
+  }
+});
+
+test('rejects a max message count that is not a positive whole number', async () => {
+  const { uniqueKey, target } = await consentedSession();
+
+  const res = await postCampaign(baseUrl, { uniqueKey, target, hatersName: 'Hi', speed: 60, maxMessages: '1.5' }, ['one']);
+
+  assert.equal(res.status, 400);
+});
+
+test('a campaign ends after one pass through the file', async (t) => {
+  const { socket, uniqueKey, target } = await consentedSession();
+  t.mock.timers.enable({ apis: ['setInterval'] });
+
+  server.userSessions[uniqueKey].messaging = true;
+  server.startMessaging(socket, uniqueKey, target, 'Hi', ['one', 'two', 'three'], 1);
+  for (let i = 0; i < 5; i++) {
+    await flush();
+    t.mock.timers.tick(1000);
+  }
+  await flush();
+
+  assert.deepEqual(socket.sent.map(({ content }) => content.text), ['Hi one', 'Hi two', 'Hi three']);
+  assert.equal(server.userSessions[uniqueKey].messaging, false);
+});
+
+test('a campaign stops at an explicit max message count', async (t) => {
+  const { socket, uniqueKey, target } = await consentedSession();
+  t.mock.timers.enable({ apis: ['setInterval'] });
+
+  server.userSessions[uniqueKey].messaging = true;
+  server.startMessaging(socket, uniqueKey, target, 'Hi', ['one', 'two', 'three'], 1, 2);
+  for (let i = 0; i < 5; i++) {
+    await flush();
+    t.mock.timers.tick(1000);
+  }
+  await flush();
+
+  assert.equal(socket.sent.length, 2);
+  assert.equal(server.userSessions[uniqueKey].messaging, false);
+});
+
+test('refuses to start once the daily limit for a target is reached', async () => {
+  const { uniqueKey, target } = await consentedSession();
+  server.sendCounts[target] = { date: today(), count: 5 };
+
+  const res = await postCampaign(baseUrl, { uniqueKey, target, hatersName: 'Hi', speed: 60 }, ['one']);
+
+  assert.equal(res.status, 429);
+});
+
+test('stops a running campaign when the daily limit is hit', async (t) => {
+  const { socket, uniqueKey, target } = await consentedSession();
+  server.sendCounts[target] = { date: today(), count: 4 };
+  t.mock.timers.enable({ apis: ['setInterval'] });
+
+  server.userSessions[uniqueKey].messaging = true;
+  server.startMessaging(socket, uniqueKey, target, 'Hi', ['one', 'two', 'three'], 1);
+  for (let i = 0; i < 3; i++) {
+    await flush();
+    t.mock.timers.tick(1000);
+  }
+  await flush();
+
+  assert.equal(socket.sent.length, 1);
+  assert.equal(server.userSessions[uniqueKey].messaging, false);
+});
+
+test('records campaign starts and sends in the audit log', async () => {
+  const { uniqueKey, target } = await consentedSession();
+
+  await postCampaign(baseUrl, { uniqueKey, target, hatersName: 'Hi', speed: 60 }, ['one', 'two']);
+  await flush();
+
+  const res = await fetch(`${baseUrl}/audit?uniqueKey=${uniqueKey}`, { headers: { Authorization: 'Bearer alice-token' } });
+  const { entries } = await res.json();
+  const actions = entries.map(entry => entry.action);
+
+  assert.ok(actions.includes('campaign.started'));
+  assert.ok(actions.includes('message.sent'));
+  assert.equal(entries.find(entry => entry.action === 'campaign.started').lineCount, 2);
+
+  const oneDay = await fetch(`${baseUrl}/audit?uniqueKey=${uniqueKey}&from=${today()}&to=${today()}`, { headers: { Authorization: 'Bearer alice-token' } });
+  assert.equal((await oneDay.json()).count, entries.length);
+
+  const invalid = await fetch(`${baseUrl}/audit?to=yesterday`, { headers: { Authorization: 'Bearer alice-token' } });
+  assert.equal(invalid.status, 400);
+});
+
+test('ignores opt-in and opt-out messages replayed from history', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const { socket } = await connectSession(server, factory);
+  const target = newTarget();
+  const chatId = `${target}@s.whatsapp.net`;
+
+  socket.receive(chatId, 'START', undefined, 'append');
+  await flush();
+  assert.equal(server.consentRegistry[target], undefined);
+
+  server.grantConsent(target, '911111111111', target, 'recipient');
+  socket.receive(chatId, 'STOP', undefined, 'append');
+  await flush();
+  assert.equal(server.doNotContact.has(target), false);
+});
+
+test('a campaign to a formatted number is stopped by the recipient opt-out', async () => {
+  const factory = createFakeSocketFactory({ registered: true });
+  server.setSocketFactory(factory);
+  const { socket, uniqueKey } = await connectSession(server, factory);
+  const target = newTarget();
+  const chatId = `${target}@s.whatsapp.net`;
+  const formatted = `+${target.slice(0, 2)} ${target.slice(2, 7)} ${target.slice(7)}`;
+
+  socket.receive(chatId, 'START');
+  await flush();
+
+  const started = await postCampaign(baseUrl, { uniqueKey, target: formatted, hatersName: 'Hi', speed: 60 }, ['one', 'two']);
+  assert.equal(started.status, 200);
+  assert.equal(server.userSessions[uniqueKey].target, target);
+  assert.equal(socket.sent[0].jid, chatId);
+
+  socket.receive(chatId, 'STOP');
+  await flush();
+
+  assert.equal(server.userSessions[uniqueKey].messaging, false);
+  assert.equal(server.stopFlags[uniqueKey].interval, null);
+});
+
+test('a running campaign stops on the next tick once its target is on the do-not-contact list', async (t) => {
+  const { socket, uniqueKey, target } = await consentedSession();
+  t.mock.timers.enable({ apis: ['setInterval'] });
+
+  server.userSessions[uniqueKey].messaging = true;
+  server.startMessaging(socket, uniqueKey, target, 'Hi', ['one', 'two', 'three'], 1);
+  await flush();
+  server.doNotContact.add(target);
+  t.mock.timers.tick(1000);
+  await flush();
+
+  assert.equal(socket.sent.length, 1);
+  assert.equal(server.userSessions[uniqueKey].messaging, false);
+});
+
+test('a running campaign stops on the next tick once consent is revoked', async (t) => {
+  const { socket, uniqueKey, target } = await consentedSession();
+  t.mock.timers.enable({ apis: ['setInterval'] });
+
+  server.userSessions[uniqueKey].messaging = true;
+  server.startMessaging(socket, uniqueKey, target, 'Hi', ['one', 'two', 'three'], 1);
+  await flush();
+  delete server.consentRegistry[target];
+  t.mock.timers.tick(1000);
+  await flush();
+
+  assert.equal(socket.sent.length, 1);
+  assert.equal(server.userSessions[uniqueKey].messaging, false);
+});